@@ -1,13 +1,183 @@
 import { LightningElement, api, wire, track } from 'lwc';
 import { getRelatedListRecords, getRelatedListsInfo, getRelatedListInfo } from 'lightning/uiRelatedListApi';
-import { getRecord, getFieldValue, getFieldDisplayValue } from 'lightning/uiRecordApi';
+import { getRecord, getFieldValue, getFieldDisplayValue, deleteRecord, updateRecord } from 'lightning/uiRecordApi';
+import { getObjectInfo, getObjectInfos, getPicklistValuesByRecordType } from 'lightning/uiObjectInfoApi';
 import { NavigationMixin } from "lightning/navigation";
+import { refreshApex } from "@salesforce/apex";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import LightningConfirm from "lightning/confirm";
 import ERROR_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Error_Message";
-
-const EXTRA_FIELDS = [
-    'ExtraField__c'
+import INVALID_RELATIONSHIP_ERROR_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Invalid_Relationship_Error_Message";
+import MISSING_PARENT_ERROR_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Missing_Parent_Error_Message";
+import INSUFFICIENT_ACCESS_ERROR_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Insufficient_Access_Error_Message";
+import FIELD_NOT_FOUND_ERROR_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Field_Not_Found_Error_Message";
+import NETWORK_ERROR_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Network_Error_Message";
+import HAS_CUSTOMIZE_APPLICATION from "@salesforce/userPermission/CustomizeApplication";
+import DELETE_CONFIRMATION_TITLE from "@salesforce/label/c.Sibling_Related_List_Delete_Confirmation_Title";
+import DELETE_CONFIRMATION_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Delete_Confirmation_Message";
+import RECORD_DELETED_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Record_Deleted_Message";
+import SAVE_ERROR_TITLE from "@salesforce/label/c.Sibling_Related_List_Save_Error_Title";
+import RECORDS_SAVED_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Records_Saved_Message";
+import VIEW_ACTION_LABEL from "@salesforce/label/c.Sibling_Related_List_View_Action_Label";
+import EDIT_ACTION_LABEL from "@salesforce/label/c.Sibling_Related_List_Edit_Action_Label";
+import DELETE_ACTION_LABEL from "@salesforce/label/c.Sibling_Related_List_Delete_Action_Label";
+import CHANGE_FIELD_LABEL from "@salesforce/label/c.Sibling_Related_List_Change_Field_Label";
+import FIELD_LABEL from "@salesforce/label/c.Sibling_Related_List_Field_Label";
+import CANCEL_LABEL from "@salesforce/label/c.Sibling_Related_List_Cancel_Label";
+import SAVE_LABEL from "@salesforce/label/c.Sibling_Related_List_Save_Label";
+import CLOSE_LABEL from "@salesforce/label/c.Sibling_Related_List_Close_Label";
+import LOAD_MORE_LABEL from "@salesforce/label/c.Sibling_Related_List_Load_More_Label";
+import EXPORT_LABEL from "@salesforce/label/c.Sibling_Related_List_Export_Label";
+import RETRY_LABEL from "@salesforce/label/c.Sibling_Related_List_Retry_Label";
+import SHOW_DETAILS_LABEL from "@salesforce/label/c.Sibling_Related_List_Show_Details_Label";
+import TRUE_LABEL from "@salesforce/label/c.Sibling_Related_List_True_Label";
+import ENCRYPTED_LABEL from "@salesforce/label/c.Sibling_Related_List_Encrypted_Label";
+import HIDE_DETAILS_LABEL from "@salesforce/label/c.Sibling_Related_List_Hide_Details_Label";
+import MASS_UPDATE_SUCCESS_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Mass_Update_Success_Message";
+import MASS_UPDATE_PARTIAL_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Mass_Update_Partial_Message";
+import MASS_DELETE_CONFIRMATION_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Mass_Delete_Confirmation_Message";
+import MASS_DELETE_SUCCESS_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Mass_Delete_Success_Message";
+import MASS_DELETE_PARTIAL_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Mass_Delete_Partial_Message";
+import DELETE_ERROR_TITLE from "@salesforce/label/c.Sibling_Related_List_Delete_Error_Title";
+import INVALID_COLUMN_FIELDS_MESSAGE from "@salesforce/label/c.Sibling_Related_List_Invalid_Column_Fields_Message";
+
+const DEFAULT_PAGE_SIZE = 6;
+
+/**
+ * Categories of errors, each shown to the user with its own message
+ */
+const ERROR_CATEGORIES = {
+    INVALID_RELATIONSHIP: 'invalidRelationship',
+    MISSING_PARENT: 'missingParent',
+    INSUFFICIENT_ACCESS: 'insufficientAccess',
+    FIELD_NOT_FOUND: 'fieldNotFound',
+    NETWORK: 'network',
+    UNKNOWN: 'unknown'
+};
+
+const ERROR_MESSAGES = {
+    [ERROR_CATEGORIES.INVALID_RELATIONSHIP]: INVALID_RELATIONSHIP_ERROR_MESSAGE,
+    [ERROR_CATEGORIES.MISSING_PARENT]: MISSING_PARENT_ERROR_MESSAGE,
+    [ERROR_CATEGORIES.INSUFFICIENT_ACCESS]: INSUFFICIENT_ACCESS_ERROR_MESSAGE,
+    [ERROR_CATEGORIES.FIELD_NOT_FOUND]: FIELD_NOT_FOUND_ERROR_MESSAGE,
+    [ERROR_CATEGORIES.NETWORK]: NETWORK_ERROR_MESSAGE,
+    [ERROR_CATEGORIES.UNKNOWN]: ERROR_MESSAGE
+};
+
+/**
+ * URLs of the Lightning App Builder and Experience Builder, where the error details are shown to admins
+ */
+const BUILDER_URL_PATTERN = /flexipageEditor|sitepreview|livepreview/i;
+
+/**
+ * Standard actions available on every row
+ */
+const ROW_ACTIONS = [
+    { label: VIEW_ACTION_LABEL, name: 'view' },
+    { label: EDIT_ACTION_LABEL, name: 'edit' },
+    { label: DELETE_ACTION_LABEL, name: 'delete' }
 ];
 
+const QUICK_ACTION_PREFIX = 'quickAction:';
+
+/**
+ * Error codes with which the UI API rejects a where clause it can't evaluate, e.g. one filtering on an unsupported field
+ */
+const WHERE_CLAUSE_ERROR_CODES = ['ILLEGAL_QUERY_PARAMETER_VALUE', 'MALFORMED_QUERY', 'INVALID_QUERY_FILTER_OPERATOR'];
+
+/**
+ * UI API data types that can be edited inline, lookups are edited with a record picker
+ */
+const EDITABLE_DATA_TYPES = ['string', 'email', 'phone', 'url', 'double', 'int', 'currency', 'percent', 'date', 'boolean', 'picklist'];
+
+/**
+ * Number of records updated or deleted at a time by the mass actions
+ */
+const MASS_ACTION_BATCH_SIZE = 10;
+
+/**
+ * Datatable column types of the UI API data types. Types the datatable can't format (e.g. times) are shown as text, using their display value
+ */
+const COLUMN_TYPES = {
+    address: 'address',
+    base64: 'text',
+    boolean: 'boolean',
+    combobox: 'picklist',
+    complexvalue: 'text',
+    currency: 'currency',
+    date: 'date',
+    datetime: 'date-local',
+    double: 'number',
+    email: 'email',
+    encryptedstring: 'encryptedString',
+    int: 'number',
+    location: 'location',
+    long: 'number',
+    multipicklist: 'multipicklist',
+    percent: 'percent',
+    phone: 'phone',
+    picklist: 'picklist',
+    reference: 'text',
+    string: 'text',
+    textarea: 'textarea',
+    time: 'text',
+    url: 'url'
+};
+
+/**
+ * Column types of picklist fields, whose values are shown as badges
+ */
+const PICKLIST_COLUMN_TYPES = ['picklist', 'multipicklist'];
+
+/**
+ * Colours that can be given to picklist value badges, as hex codes such as #C23934 or #F90
+ */
+const PICKLIST_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Id of the master record type, whose picklist values include every value of each picklist
+ */
+const MASTER_RECORD_TYPE_ID = '012000000000000AAA';
+
+/**
+ * How the configured column fields are combined with the columns from the page layout
+ */
+const COLUMN_MODES = {
+    REPLACE: 'replace',
+    AUGMENT: 'augment'
+};
+
+/**
+ * Values containing any of these characters are quoted in the exported CSV
+ */
+const CSV_QUOTED_VALUE_PATTERN = /[",\r\n]/;
+
+/**
+ * Number of records requested per page when exporting, which are loaded separately from those displayed
+ */
+const EXPORT_PAGE_SIZE = 200;
+
+/**
+ * Operators supported by the client-side filter, matching those of the UI API where clause
+ */
+const FILTER_OPERATORS = {
+    eq: (value, operand) => value === operand,
+    ne: (value, operand) => value !== operand,
+    lt: (value, operand) => value !== null && value !== undefined && value < operand,
+    lte: (value, operand) => value !== null && value !== undefined && value <= operand,
+    gt: (value, operand) => value !== null && value !== undefined && value > operand,
+    gte: (value, operand) => value !== null && value !== undefined && value >= operand,
+    in: (value, operand) => Array.isArray(operand) && operand.includes(value),
+    nin: (value, operand) => Array.isArray(operand) && !operand.includes(value),
+    like: (value, operand) => {
+        const pattern = String(operand)
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/%/g, '.*')
+            .replace(/_/g, '.');
+        return new RegExp(`^${pattern}$`, 'i').test(String(value ?? ''));
+    }
+};
+
 export default class RelatedList extends NavigationMixin(LightningElement) {
 
     /**
@@ -24,6 +194,84 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
     @api
     sObjectTypeName;
 
+    /**
+     * Number of records to load per page
+     * @type {number}
+     */
+    @api
+    pageSize = DEFAULT_PAGE_SIZE;
+
+    /**
+     * Whether further pages should be loaded automatically when the user scrolls to the bottom of the list
+     * @type {boolean}
+     */
+    @api
+    enableInfiniteScroll = false;
+
+    /**
+     * API name of the field to sort the records by when the list is first displayed
+     * @type {string}
+     */
+    @api
+    defaultSortField;
+
+    /**
+     * Direction of the default sort, either "asc" or "desc"
+     * @type {string}
+     */
+    @api
+    defaultSortDirection = 'asc';
+
+    /**
+     * Filter applied to the records, as a UI API where clause. For example { Status: { ne: "Closed" } }
+     * @type {string}
+     */
+    @api
+    whereClause;
+
+    /**
+     * Fields to display as columns, separated by commas, each optionally followed by a label and width. For example "CaseNumber, Subject:Summary:300, Status"
+     * @type {string}
+     */
+    @api
+    columnFields;
+
+    /**
+     * Whether the column fields replace the page layout columns ("replace"), or are added to them ("augment")
+     * @type {string}
+     */
+    @api
+    columnMode = COLUMN_MODES.REPLACE;
+
+    /**
+     * Colours of the badges of picklist values, separated by commas, each as the field, the value and a hex colour. For example "Status:Escalated:#C23934, Priority:High:#FF9A3C".
+     * The UI API doesn't return the colours configured for picklist values in Setup, so badges without a colour here are neutral
+     * @type {string}
+     */
+    @api
+    picklistColors;
+
+    /**
+     * Whether the user can edit the records in the list
+     * @type {boolean}
+     */
+    @api
+    enableInlineEdit = false;
+
+    /**
+     * Quick actions to add to each row, separated by commas, each optionally followed by a label. For example "Case.LogACall:Log a Call"
+     * @type {string}
+     */
+    @api
+    rowQuickActions;
+
+    /**
+     * Whether to let admins see the details of errors outside of the Lightning App Builder
+     * @type {boolean}
+     */
+    @api
+    showErrorDetails = false;
+
     /**
      * API name of the child relationship on this object that relates to the child records to display
      * @type {string} 
@@ -31,11 +279,75 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
     @api
     relationshipName;
 
+    /**
+     * Whether the user can select records, which are reported in rowselect events
+     * @type {boolean}
+     */
+    @api
+    enableRowSelection = false;
+
+    /**
+     * Whether the user can select records and change a field of, or delete, all the selected records at once
+     * @type {boolean}
+     */
+    @api
+    enableMassActions = false;
+
+    /**
+     * Fields that can be changed on all the selected records, separated by commas. For example "OwnerId, Status".
+     * Leave blank to offer the editable fields shown in the columns
+     * @type {string}
+     */
+    @api
+    massUpdateFields;
+
+    /**
+     * Ids of the rows the user selected
+     * @type {[string]}
+     */
+    selectedRowIds = [];
+
+    /**
+     * Whether the panel to change a field of the selected records is shown
+     * @type {boolean}
+     */
+    isMassUpdating = false;
+
+    /**
+     * API name of the field chosen to be changed on the selected records
+     * @type {string}
+     */
+    massUpdateFieldName;
+
+    /**
+     * Whether the selected records are being updated or deleted
+     * @type {boolean}
+     */
+    isMassActionRunning = false;
+
+    /**
+     * The records a mass action failed for, with the reason why
+     * @type {[Object<string, *>]}
+     */
+    massActionErrors = [];
+
+    /**
+     * Title of the list of records a mass action failed for
+     * @type {string}
+     */
+    massActionErrorTitle;
+
     /**
      * Record type id of the current record
      */
     recordTypeId;
 
+    /**
+     * Name of the current record
+     * @type {string}
+     */
+    recordName;
+
     /**
      * Summary info about the related list, includes things like the icon and colour
      * @type {Object<string, *>} Related List Info Summary https://developer.salesforce.com/docs/atlas.en-us.uiapi.meta/uiapi/ui_api_responses_related_list_summary.htm
@@ -48,6 +360,31 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
      */
     relatedListInfo;
 
+    /**
+     * Object info of the related object (only loaded when column fields are configured or inline editing is enabled)
+     * @type {Object<string, *>} Object Info https://developer.salesforce.com/docs/atlas.en-us.uiapi.meta/uiapi/ui_api_responses_object_info.htm
+     */
+    relatedObjectInfo;
+
+    /**
+     * Object info of each object reached through the relationships of the configured spanning columns, by lowercase API name.
+     * Objects whose info couldn't be loaded are kept as null
+     * @type {Object<string, Object<string, *>>}
+     */
+    spanningObjectInfos = {};
+
+    /**
+     * Values of the related object's picklists (only loaded when there are picklist columns)
+     * @type {Object<string, *>} picklist values keyed by field API name
+     */
+    picklistFieldValues;
+
+    /**
+     * Configured column fields that could not be found on the related object
+     * @type {[string]} Array of field names
+     */
+    invalidColumnFields = [];
+
     /**
      * Columns to display
      * @type {[Object<string, *>]} Array of columns
@@ -67,12 +404,78 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
      */
     page;
 
+    /**
+     * Urls of the records linked to, by record id, generated once for as long as the component lives
+     * @type {Map<string, Promise<string>>}
+     */
+    recordUrls = new Map();
+
+    /**
+     * Urls of the records linked to that have been generated, by record id
+     * @type {Map<string, string>}
+     */
+    resolvedRecordUrls = new Map();
+
+    /**
+     * Records prepared for display, by record id, with the version of the record and the columns they were prepared for
+     * @type {Map<string, Object<string, *>>}
+     */
+    preparedRecords = new Map();
+
     /**
      * The array of records to display
      * @type {[Object<string, *>]} Array of Records https://developer.salesforce.com/docs/atlas.en-us.uiapi.meta/uiapi/ui_api_responses_record.htm#ui_api_responses_record
      */
     records;
 
+    /**
+     * The wired result of the first page of records, used to refresh them
+     * @type {Object<string, *>}
+     */
+    wiredRecordsResult;
+
+    /**
+     * Values edited inline that have not been saved yet
+     * @type {[Object<string, *>]} Array of draft values, keyed by the record id
+     */
+    draftValues = [];
+
+    /**
+     * Errors from saving the draft values, in the format expected by the datatable
+     * @type {Object<string, *>}
+     */
+    tableErrors;
+
+    /**
+     * Token of the page of records to load, undefined loads the first page
+     * @type {string}
+     */
+    pageToken;
+
+    /**
+     * Whether a subsequent page of records is being loaded (and should be appended to the records)
+     * @type {boolean}
+     */
+    isLoadingMore = false;
+
+    /**
+     * API name of the field the records are sorted by (undefined until the related list info has loaded)
+     * @type {string}
+     */
+    sortFieldApiName;
+
+    /**
+     * Direction the records are sorted in, either "asc" or "desc"
+     * @type {string}
+     */
+    sortedDirection;
+
+    /**
+     * Whether the where clause is evaluated client-side, because getRelatedListRecords rejected it
+     * @type {boolean}
+     */
+    clientSideFilter = false;
+
     /**
      * link to view all related records
      */
@@ -84,6 +487,54 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
      */
     hasError = false;
 
+    /**
+     * Category of the error that occurred, one of ERROR_CATEGORIES
+     * @type {string}
+     */
+    errorCategory;
+
+    /**
+     * Technical details of the error that occurred, shown to admins
+     * @type {string}
+     */
+    errorDetails;
+
+    /**
+     * Whether the error details are expanded
+     * @type {boolean}
+     */
+    errorDetailsExpanded = false;
+
+    /**
+     * Wired results that returned an error, refreshed when the user retries
+     * @type {[Object<string, *>]}
+     */
+    failedWiredResults = [];
+
+    /**
+     * Whether the records are being loaded to be exported
+     * @type {boolean}
+     */
+    isExporting = false;
+
+    /**
+     * Record whose related records are being loaded to be exported, only set while exporting
+     * @type {string}
+     */
+    exportRecordId;
+
+    /**
+     * Token of the page of records being loaded to be exported
+     * @type {string}
+     */
+    exportPageToken;
+
+    /**
+     * Records loaded so far to be exported
+     * @type {[Object<string, *>]}
+     */
+    exportRecords = [];
+
     /**
      * Whether the record has been loaded
      * @type {boolean}
@@ -103,231 +554,1764 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
     relatedListDetailLoaded = false;
 
     /**
-     * Whether the related list records have been loaded
-     * @type {boolean}
+     * Whether the related list records have been loaded
+     * @type {boolean}
+     */
+    relatedListRecordsLoaded = false;
+
+    /**
+     * The relationship label
+     * @type {string}
+     */
+    get relationshipLabel() {
+        return this.relatedListSummary?.label;
+    }
+
+    /**
+     * Number of records loaded so far, after any filtering applied to them when the where clause has to be applied client-side
+     * @type {number}
+     */
+    @api
+    get recordCount() {
+        return this.records?.length ?? 0;
+    }
+
+    /**
+     * The records loaded so far, with the value and formatted value of each column's field.
+     * For example [{ id: '500...', fields: { Subject: { value: 'Broken', displayValue: 'Broken' } } }]
+     * @type {[Object<string, *>]}
+     */
+    @api
+    get loadedRecords() {
+        return (this.records ?? []).map(record => this.toPublicRecord(record));
+    }
+
+    /**
+     * Whether the datatable shows checkboxes to select records
+     * @type {boolean}
+     */
+    get hideCheckboxColumn() {
+        return !this.enableRowSelection && !this.enableMassActions;
+    }
+
+    /**
+     * Label of the button that changes a field of the selected records
+     * @type {string}
+     */
+    get changeFieldLabel() {
+        return CHANGE_FIELD_LABEL;
+    }
+
+    /**
+     * Label of the button that deletes the selected records
+     * @type {string}
+     */
+    get deleteLabel() {
+        return DELETE_ACTION_LABEL;
+    }
+
+    /**
+     * Label of the combobox choosing the field to change on the selected records
+     * @type {string}
+     */
+    get fieldLabel() {
+        return FIELD_LABEL;
+    }
+
+    /**
+     * Label of the button that closes the panel to change a field of the selected records
+     * @type {string}
+     */
+    get cancelLabel() {
+        return CANCEL_LABEL;
+    }
+
+    /**
+     * Label of the button that saves the field on the selected records
+     * @type {string}
+     */
+    get saveLabel() {
+        return SAVE_LABEL;
+    }
+
+    /**
+     * Alternative text of the button that hides the records a mass action failed for
+     * @type {string}
+     */
+    get closeLabel() {
+        return CLOSE_LABEL;
+    }
+
+    /**
+     * Whether the buttons to change a field of, or delete, the selected records are shown
+     * @type {boolean}
+     */
+    get showMassActions() {
+        return this.enableMassActions;
+    }
+
+    /**
+     * Whether the mass actions can't be used, as no records are selected or an action is already running
+     * @type {boolean}
+     */
+    get massActionsDisabled() {
+        return !this.selectedRowIds.length || this.isMassActionRunning;
+    }
+
+    /**
+     * The fields that can be changed on the selected records, as options of a combobox
+     * @type {[Object<string, string>]}
+     */
+    get massUpdateFieldOptions() {
+        const fields = this.relatedObjectInfo?.fields ?? {};
+        const fieldNames = this.massUpdateFields?.trim() ?
+            this.massUpdateFields.split(',').map(fieldName => fieldName.trim()).filter(fieldName => fieldName) :
+            (this.displayColumns ?? []).filter(column => column.apiPath).map(column => column.fieldApiName);
+
+        const options = [];
+        for (const fieldName of fieldNames) {
+            const fieldInfo = Object.values(fields).find(field => field.apiName.toLowerCase() === fieldName.toLowerCase());
+            if (fieldInfo?.updateable && !options.some(option => option.value === fieldInfo.apiName)) {
+                options.push({ label: fieldInfo.label, value: fieldInfo.apiName });
+            }
+        }
+        return options;
+    }
+
+    /**
+     * The field chosen to be changed, in an array so that its input is recreated when another field is chosen
+     * @type {[string]}
+     */
+    get massUpdateFieldNames() {
+        return this.massUpdateFieldName ? [this.massUpdateFieldName] : [];
+    }
+
+    /**
+     * Whether the chosen field can't be saved yet
+     * @type {boolean}
+     */
+    get massUpdateDisabled() {
+        return !this.massUpdateFieldName || this.isMassActionRunning;
+    }
+
+    /**
+     * Whether any records failed in the last mass action
+     * @type {boolean}
+     */
+    get hasMassActionErrors() {
+        return this.massActionErrors.length > 0;
+    }
+
+    /**
+     * The record count as shown in the header, with a "+" if there are more records to load. For example "6+"
+     * @type {string}
+     */
+    get recordCountLabel() {
+        return `${this.recordCount}${this.hasMoreRecords ? '+' : ''}`;
+    }
+
+    /**
+     * The header title, the relationship label followed by the record count once the records have loaded
+     * @type {string}
+     */
+    get headerTitle() {
+        if (!this.relatedListRecordsLoaded) {
+            return this.relationshipLabel;
+        }
+        return `${this.relationshipLabel} (${this.recordCountLabel})`;
+    }
+
+    /**
+     * Field definition for the Record Type ID
+     * @type {Object<string, *>} fieldDefintion
+     */
+    get recordTypeIdFieldDefinition() {
+        return {"fieldApiName":"RecordTypeId",
+                "objectApiName":this.sObjectTypeName};
+    }
+
+    /**
+     * Field definition for the Record Type ID
+     * @type {Object<string, *>} fieldDefintion
+     */
+    get recordTypeIdFieldArray() {
+        return [this.recordTypeIdFieldDefinition];
+    }
+
+    /**
+     * Field definition for the Name of the current record
+     * @type {Object<string, *>} fieldDefintion
+     */
+    get nameFieldDefinition() {
+        return {"fieldApiName":"Name",
+                "objectApiName":this.sObjectTypeName};
+    }
+
+    /**
+     * Field definition for the Name of the current record in an array
+     * @type {[Object<string, *>]} fieldDefintions
+     */
+    get nameFieldArray() {
+        return [this.nameFieldDefinition];
+    }
+
+    /**
+     * Label of the button that exports the records
+     * @type {string}
+     */
+    get exportLabel() {
+        return EXPORT_LABEL;
+    }
+
+    /**
+     * Name of the exported CSV file, the relationship label followed by the record's name
+     * @type {string}
+     */
+    get exportFileName() {
+        const name = [this.relationshipLabel, this.recordName]
+            .filter(part => part)
+            .join(' - ')
+            .replace(/[\\/:*?"<>|]/g, '_');
+        return `${name || 'export'}.csv`;
+    }
+
+    /**
+     * URL of the related list icon
+     * @type {string} url
+     */
+    get iconUrl() {
+        return this.relatedListSummary?.themeInfo?.iconUrl ?? '';
+    }
+
+    /**
+     * HEX Color code for the icon
+     * @type {string}
+     */
+    get iconColor() {
+        if (this.relatedListSummary?.themeInfo?.color) {
+            return '#' + this.relatedListSummary.themeInfo.color;
+        }
+        return '';
+    }
+
+    /**
+     * Plural label of the related list object
+     * @type {string}
+     */
+    get entityLabelPlural() {
+        return this.relatedListSummary?.entityLabelPlural ?? '';
+    }
+
+    /**
+     * Related list label
+     * @type {string}
+     */
+    get relatedListLabel() {
+        return this.relatedListSummary?.label ?? '';
+    }
+
+    /**
+     * Flag to indicate whether all loading was complete
+     */
+    get dataLoaded() {
+        return (this.recordLoaded &&
+                this.relatedListDetailLoaded &&
+                this.relatedListRecordsLoaded);
+    }
+
+    /**
+     * Whether there are more records to load after the current page
+     * @type {boolean}
+     */
+    get hasMoreRecords() {
+        return !!this.page?.nextPageToken;
+    }
+
+    /**
+     * Label of the button that loads the next page of records
+     * @type {string}
+     */
+    get loadMoreLabel() {
+        return LOAD_MORE_LABEL;
+    }
+
+    /**
+     * Whether the "Load More" button should be shown
+     * @type {boolean}
+     */
+    get showLoadMoreButton() {
+        return this.hasMoreRecords && !this.enableInfiniteScroll;
+    }
+
+    /**
+     * Whether the datatable should request more records when scrolled to the bottom
+     * @type {boolean}
+     */
+    get infiniteLoadingEnabled() {
+        return this.hasMoreRecords && this.enableInfiniteScroll;
+    }
+
+    /**
+     * CSS class of the datatable container, infinite scrolling requires a fixed height
+     * @type {string}
+     */
+    get tableContainerClass() {
+        return this.enableInfiniteScroll ? 'slds-border_top infinite-scroll-container' : 'slds-border_top';
+    }
+
+    /**
+     * Datatable field name of the column the records are sorted by
+     * @type {string}
+     */
+    get sortedBy() {
+        return this.displayColumns?.find(col => col.apiPath && col.fieldApiName === this.sortFieldApiName)?.fieldName;
+    }
+
+    /**
+     * Sort order passed to getRelatedListRecords, descending fields are prefixed with "-"
+     * @type {[string]}
+     */
+    get sortBy() {
+        const objectApiName = this.relatedListInfo?.objectApiNames?.[0];
+        if (!this.sortFieldApiName || !objectApiName) {
+            return undefined;
+        }
+        const prefix = this.sortedDirection === 'desc' ? '-' : '';
+        return [`${prefix}${objectApiName}.${this.sortFieldApiName}`];
+    }
+
+    /**
+     * Where clause passed to getRelatedListRecords
+     * @type {string}
+     */
+    get where() {
+        if (this.clientSideFilter || !this.whereClause?.trim()) {
+            return undefined;
+        }
+        return this.whereClause.trim();
+    }
+
+    /**
+     * The where clause parsed into a condition object, for the client-side filter
+     * @type {Object<string, *>}
+     */
+    get filterCondition() {
+        if (!this.whereClause?.trim()) {
+            return undefined;
+        }
+
+        try {
+            //quote the keys, as the where clause doesn't need to be strict JSON.
+            //string literals are matched first and kept as they are, so that values containing e.g. ", X:" aren't changed
+            return JSON.parse(this.whereClause.replace(/("(?:[^"\\]|\\.)*")|([{,]\s*)([A-Za-z_]\w*)\s*:/g,
+                (match, literal, prefix, key) => literal ?? `${prefix}"${key}":`));
+        }
+        catch (ex) {
+            console.error('The where clause could not be parsed for the client-side filter');
+            return undefined;
+        }
+    }
+
+    /**
+     * API names of the objects reached through the relationships of the configured spanning columns (e.g. Account and User for Account.Owner.Name),
+     * found a relationship at a time as the object info of each object loads
+     * @type {[string]}
+     */
+    get spanningObjectApiNames() {
+        if (!this.relatedObjectInfo) {
+            return undefined;
+        }
+
+        const objectApiNames = new Set();
+        for (const config of this.parseColumnFields()) {
+            let objectInfo = this.relatedObjectInfo;
+            for (const relationshipName of config.fieldApiName.split('.').slice(0, -1)) {
+                const objectApiName = this.findLookupField(objectInfo, relationshipName)?.referenceToInfos?.[0]?.apiName;
+                if (!objectApiName) {
+                    break;
+                }
+                objectApiNames.add(objectApiName);
+                objectInfo = this.spanningObjectInfos[objectApiName.toLowerCase()];
+            }
+        }
+        return objectApiNames.size ? [...objectApiNames].sort() : undefined;
+    }
+
+    /**
+     * Whether the object info of some of the objects reached by the spanning columns is still loading
+     * @type {boolean}
+     */
+    get hasPendingSpanningObjectInfos() {
+        return (this.spanningObjectApiNames ?? []).some(objectApiName => !(objectApiName.toLowerCase() in this.spanningObjectInfos));
+    }
+
+    /**
+     * API name of the related object, when the values of its picklists are needed to edit them inline
+     * @type {string}
+     */
+    get picklistObjectApiName() {
+        if (!this.displayColumns?.some(column => column.editable && column.type === 'picklist')) {
+            return undefined;
+        }
+        return this.relatedListInfo?.objectApiNames?.[0];
+    }
+
+    /**
+     * Path to the currency of each related record when there are currency columns, so amounts are shown in it in multi-currency orgs
+     * @type {string}
+     */
+    get currencyIsoCodeFieldPath() {
+        const objectApiName = this.relatedListInfo?.objectApiNames?.[0];
+        if (!objectApiName || !this.displayColumns?.some(column => column.type === 'currency')) {
+            return undefined;
+        }
+        return `${objectApiName}.CurrencyIsoCode`;
+    }
+
+    /**
+     * Fields referenced by the where clause, retrieved when the filter is evaluated client-side
+     * @type {[string]} Array of field names
+     */
+    get filterFieldNames() {
+        const objectApiName = this.relatedListInfo?.objectApiNames?.[0];
+        if (!this.clientSideFilter || !objectApiName || !this.filterCondition) {
+            return undefined;
+        }
+        return this.getFilterFieldPaths(this.filterCondition).map(path => `${objectApiName}.${path}`);
+    }
+
+    /**
+     * Optional fields to retrieve for each related record
+     * @type {[string]} Array of field names
+     */
+    get optionalFieldNames() {
+        const fieldNames = [
+            ...(this.filterFieldNames ?? []),
+            ...(this.displayColumns ?? []).filter(column => column.isOptional).map(column => column.apiPath),
+            ...(this.currencyIsoCodeFieldPath ? [this.currencyIsoCodeFieldPath] : [])
+        ];
+        return fieldNames.length ? fieldNames : undefined;
+    }
+
+    /**
+     * API name of the related object, when its object info is needed to validate the configured columns or for the updateable fields
+     * @type {string}
+     */
+    get relatedObjectInfoApiName() {
+        if (!this.columnFields?.trim() && !this.enableInlineEdit && !this.enableMassActions) {
+            return undefined;
+        }
+        return this.relatedListInfo?.objectApiNames?.[0];
+    }
+
+    /**
+     * Whether some of the configured column fields could not be found
+     * @type {boolean}
+     */
+    get hasInvalidColumnFields() {
+        return this.invalidColumnFields.length > 0;
+    }
+
+    /**
+     * Warning listing the configured column fields that could not be found
+     * @type {string}
+     */
+    get invalidColumnFieldsMessage() {
+        return INVALID_COLUMN_FIELDS_MESSAGE.replace('{0}', this.invalidColumnFields.join(', '));
+    }
+
+    /**
+     * Actions shown in each row's action menu, the standard actions followed by the configured quick actions
+     * @type {[Object<string, *>]} Array of row actions
+     */
+    get rowActions() {
+        const quickActions = (this.rowQuickActions ?? '').split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry)
+            .map(entry => {
+                const [apiName, label] = entry.split(':').map(part => part.trim());
+                return {
+                    label: label || apiName,
+                    name: `${QUICK_ACTION_PREFIX}${apiName}`
+                };
+            });
+        return [...ROW_ACTIONS, ...quickActions];
+    }
+
+    /**
+     * Error message to display to the user
+     * @type {string}
+     */
+    get errorMessage() {
+        return ERROR_MESSAGES[this.errorCategory] ?? ERROR_MESSAGE;
+    }
+
+    /**
+     * Whether the error details can be shown, only to admins and only in the builder unless configured otherwise
+     * @type {boolean}
+     */
+    get canShowErrorDetails() {
+        return !!this.errorDetails &&
+                HAS_CUSTOMIZE_APPLICATION &&
+                (this.showErrorDetails || BUILDER_URL_PATTERN.test(window.location.href));
+    }
+
+    /**
+     * Whether the error details are shown
+     * @type {boolean}
+     */
+    get errorDetailsVisible() {
+        return this.canShowErrorDetails && this.errorDetailsExpanded;
+    }
+
+    /**
+     * Label of the button that reloads the data that failed to load
+     * @type {string}
+     */
+    get retryLabel() {
+        return RETRY_LABEL;
+    }
+
+    /**
+     * Label of the button that shows/hides the error details
+     * @type {string}
+     */
+    get errorDetailsToggleLabel() {
+        return this.errorDetailsExpanded ? HIDE_DETAILS_LABEL : SHOW_DETAILS_LABEL;
+    }
+
+    /**
+     * Gets the recordTypeId for this record
+     */
+    @wire (getRecord, {
+        recordId: "$recordId",
+        fields: "$recordTypeIdFieldArray",
+        optionalFields: "$nameFieldArray"})
+    handleGetRecord({ error, data }) {
+        if (data) {
+            this.recordTypeId = getFieldValue(data, this.recordTypeIdFieldDefinition);
+            this.recordName = getFieldValue(data, this.nameFieldDefinition);
+            this.recordLoaded = true;
+        }
+        else if (error) {
+            this.recordLoaded = true;
+        }
+    }
+
+    /**
+     * Gets the related list summary for the child relationship
+     */
+    @wire(getRelatedListsInfo, {
+        parentObjectApiName: "$sObjectTypeName",
+        recordTypeId: "$recordTypeId"
+    })
+    handleGetRelatedListsInfo(result) {
+        const { error, data } = result;
+        if (data && Array.isArray(data.relatedLists)) {
+            this.relatedListSummary = data.relatedLists.find(rl => rl.relatedListId?.toLowerCase() === this.relationshipName?.toLowerCase());
+            this.setIconColor();
+            this.relatedListSummaryLoaded = true;
+        }
+        else if (error) {
+            this.setError(error, ERROR_CATEGORIES.UNKNOWN, 'An error occurred whilst retrieving the related list summary', result);
+        }
+    }
+
+    /**
+     * Gets the related list info for the child relationship
+     */
+    @wire(getRelatedListInfo, {
+        parentObjectApiName: "$sObjectTypeName",
+        relatedListId: "$relationshipName",
+        recordTypeId: "$recordTypeId"
+    })
+    handleGetRelatedListInfo(result) {
+        const { error, data } = result;
+        if (data) {
+            this.relatedListInfo = data;
+            this.updateColumns();
+        }
+        else if (error) {
+            this.setError(error, ERROR_CATEGORIES.INVALID_RELATIONSHIP, 'An error occurred whilst retrieving the related list info', result);
+        }
+    }
+
+    /**
+     * Gets the object info of the related object, used to validate the configured columns and find the updateable fields
+     */
+    @wire(getObjectInfo, {
+        objectApiName: "$relatedObjectInfoApiName"
+    })
+    handleGetRelatedObjectInfo(result) {
+        const { error, data } = result;
+        if (data) {
+            this.relatedObjectInfo = data;
+            this.updateColumns();
+        }
+        else if (error) {
+            this.setError(error, ERROR_CATEGORIES.UNKNOWN, 'An error occurred whilst retrieving the related object info', result);
+        }
+    }
+
+    /**
+     * Gets the object info of the objects reached through the relationships of the configured spanning columns,
+     * used to check each relationship and label the columns. Each load can reach further objects, which are then loaded in turn
+     */
+    @wire(getObjectInfos, {
+        objectApiNames: "$spanningObjectApiNames"
+    })
+    handleGetSpanningObjectInfos({ error, data }) {
+        const objectApiNames = this.spanningObjectApiNames ?? [];
+        if (data) {
+            //the results are in the order of the requested objects, those that couldn't be loaded have errors instead
+            const spanningObjectInfos = { ...this.spanningObjectInfos };
+            (data.results ?? []).forEach(({ statusCode, result }, index) => {
+                spanningObjectInfos[objectApiNames[index].toLowerCase()] = statusCode === 200 ? result : null;
+            });
+            this.spanningObjectInfos = spanningObjectInfos;
+            this.updateColumns();
+        }
+        else if (error) {
+            //the spanning columns that can't be checked are reported as invalid
+            console.warn('An error occurred whilst retrieving the object info of the spanning columns');
+            console.warn(JSON.stringify(error, null, 5));
+            const spanningObjectInfos = { ...this.spanningObjectInfos };
+            for (const objectApiName of objectApiNames) {
+                spanningObjectInfos[objectApiName.toLowerCase()] ??= null;
+            }
+            this.spanningObjectInfos = spanningObjectInfos;
+            this.updateColumns();
+        }
+    }
+
+    /**
+     * Gets the values of the related object's picklists, to choose from when editing them inline
+     */
+    @wire(getPicklistValuesByRecordType, {
+        objectApiName: "$picklistObjectApiName",
+        recordTypeId: MASTER_RECORD_TYPE_ID
+    })
+    handleGetPicklistValues({ error, data }) {
+        if (data) {
+            this.picklistFieldValues = data.picklistFieldValues;
+            this.displayColumns = this.displayColumns?.map(column => this.applyPicklistOptions(column));
+        }
+        else if (error) {
+            //the picklists are still shown, they just can't be given a value inline
+            console.warn('An error occurred whilst retrieving the picklist values of the related object');
+            console.warn(JSON.stringify(error, null, 5));
+        }
+    }
+
+    /**
+     * Prepares the columns (and the fields to retrieve) once the related list info, and the related object info if needed, have loaded
+     */
+    updateColumns() {
+        //configured columns and inline editing depend on the related object info, so wait for it
+        if (!this.relatedListInfo ||
+            (this.relatedObjectInfoApiName && !this.relatedObjectInfo)) {
+            return;
+        }
+
+        //spanning columns are checked a relationship at a time, so wait for the objects they reach
+        if (this.hasPendingSpanningObjectInfos) {
+            return;
+        }
+
+        this.displayColumns = this.prepareColumns(this.relatedListInfo);
+        if (this.sortFieldApiName === undefined && this.defaultSortField) {
+            this.sortFieldApiName = this.defaultSortField;
+            this.sortedDirection = this.defaultSortDirection === 'desc' ? 'desc' : 'asc';
+        }
+        if (this.displayColumns && Array.isArray(this.displayColumns)) {
+            this.resetPagination();
+            this.relatedListFieldNames = this.displayColumns.filter(col => !col.isOptional).map(col => col.apiPath);
+            this.displayColumns = [...this.displayColumns, this.prepareActionColumn()];
+        }
+        else {
+            this.relatedListFieldNames = undefined;
+        }
+        this.relatedListDetailLoaded = true;
+    }
+
+    /**
+     * Gets the related list records for the child relationship
+     */
+    @wire(getRelatedListRecords, {
+        parentRecordId: "$recordId",
+        relatedListId: "$relationshipName",
+        fields: "$relatedListFieldNames",
+        pageSize: "$pageSize",
+        pageToken: "$pageToken",
+        sortBy: "$sortBy",
+        where: "$where",
+        optionalFields: "$optionalFieldNames"
+    })
+    handleGetRelatedListRecords(result) {
+        const { error, data } = result;
+        if (data) {
+            if (!this.isLoadingMore) {
+                this.wiredRecordsResult = result;
+            }
+            const pageRecords = this.prepareDisplayRecords(this.filterRecords(data.records));
+            this.page = data;
+
+            //append subsequent pages to the records already loaded, otherwise start again
+            this.records = this.isLoadingMore ? [...(this.records ?? []), ...pageRecords] : pageRecords;
+            this.fillRecordUrls();
+            this.isLoadingMore = false;
+            this.relatedListRecordsLoaded = true;
+            this.dispatchEvent(new CustomEvent('loaded', {
+                detail: {
+                    relationshipName: this.relationshipName,
+                    records: this.loadedRecords,
+                    recordCount: this.recordCount,
+                    hasMoreRecords: this.hasMoreRecords
+                }
+            }));
+        }
+        else if (error && this.where && this.isWhereClauseRejection(error)) {
+            //fall back to evaluating the where clause client-side
+            console.warn('The where clause was rejected, it will be applied client-side instead');
+            console.warn(JSON.stringify(error, null, 5));
+            this.resetPagination();
+            this.clientSideFilter = true;
+        }
+        else if (error) {
+            this.setError(error, ERROR_CATEGORIES.UNKNOWN, 'An error occurred whilst retrieving the related list records', result);
+        }
+    }
+
+    /**
+     * Loads the next page of records (from the "Load More" button or the datatable's loadmore event)
+     */
+    handleLoadMore() {
+        if (!this.hasMoreRecords || this.isLoadingMore) {
+            return;
+        }
+        this.isLoadingMore = true;
+        this.pageToken = this.page.nextPageToken;
+    }
+
+    /**
+     * Sorts the records by the column clicked, the sort is applied by getRelatedListRecords so it spans all pages
+     * @param {CustomEvent} event sort event from the datatable
+     */
+    handleSort(event) {
+        const { fieldName, sortDirection } = event.detail;
+        const column = this.displayColumns?.find(col => col.fieldName === fieldName);
+        if (!column?.apiPath) {
+            return;
+        }
+        this.resetPagination();
+        this.sortFieldApiName = column.fieldApiName;
+        this.sortedDirection = sortDirection;
+    }
+
+    /**
+     * Reports the records the user selected
+     * @param {CustomEvent} event rowselection event from the datatable
+     */
+    handleRowSelection(event) {
+        const selectedRows = event.detail.selectedRows ?? [];
+        const records = selectedRows.map(row => this.toPublicRecord(row));
+        this.selectedRowIds = selectedRows.map(row => row.id);
+        this.dispatchEvent(new CustomEvent('rowselect', {
+            detail: {
+                relationshipName: this.relationshipName,
+                recordIds: records.map(record => record.id),
+                records
+            }
+        }));
+    }
+
+    /**
+     * Handles the actions from each row's action menu
+     * @param {CustomEvent} event rowaction event from the datatable
+     */
+    handleRowAction(event) {
+        const { action, row } = event.detail;
+
+        switch (action.name) {
+            case 'view':
+            case 'edit':
+                this[NavigationMixin.Navigate]({
+                    type: "standard__recordPage",
+                    attributes: {
+                        actionName: action.name,
+                        objectApiName: this.relatedListInfo?.objectApiNames?.[0],
+                        recordId: row.id
+                    }
+                });
+                break;
+            case 'delete':
+                this.deleteRow(row);
+                break;
+            default:
+                if (action.name.startsWith(QUICK_ACTION_PREFIX)) {
+                    this[NavigationMixin.Navigate]({
+                        type: "standard__quickAction",
+                        attributes: {
+                            apiName: action.name.substring(QUICK_ACTION_PREFIX.length)
+                        },
+                        state: {
+                            objectApiName: this.relatedListInfo?.objectApiNames?.[0],
+                            recordId: row.id
+                        }
+                    });
+                }
+        }
+    }
+
+    /**
+     * Saves the values edited inline, each record is updated separately so that errors can be shown against each row
+     * @param {CustomEvent} event save event from the datatable
+     */
+    async handleSave(event) {
+        const draftValues = event.detail.draftValues;
+
+        const results = await Promise.allSettled(draftValues.map(draft => {
+            const { id, ...values } = draft;
+
+            //lookups are edited in the column showing the related record, so save them to the lookup field
+            let fields = {};
+            for (const [fieldName, value] of Object.entries(values)) {
+                const column = this.displayColumns?.find(col => col.fieldName === fieldName);
+                fields[column?.editFieldApiName ?? fieldName] = value;
+            }
+
+            return updateRecord({
+                fields: {
+                    Id: id,
+                    ...fields
+                }
+            });
+        }));
+
+        let rowErrors = {};
+        let failedDrafts = [];
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                const draft = draftValues[index];
+                failedDrafts.push(draft);
+                rowErrors[draft.id] = this.getRowError(result.reason, Object.keys(draft).filter(key => key !== 'id'));
+            }
+        });
+
+        //keep the values that couldn't be saved, so the user can correct them
+        this.draftValues = failedDrafts;
+        this.tableErrors = failedDrafts.length ? {
+            rows: rowErrors,
+            table: {
+                title: SAVE_ERROR_TITLE,
+                messages: Object.values(rowErrors).flatMap(rowError => rowError.messages)
+            }
+        } : undefined;
+
+        if (failedDrafts.length < draftValues.length) {
+            this.dispatchEvent(new ShowToastEvent({
+                title: RECORDS_SAVED_MESSAGE,
+                variant: 'success'
+            }));
+
+            //the records are saved, so a failed refresh only leaves the previous values shown
+            try {
+                await this.refreshRecords();
+            }
+            catch (error) {
+                console.error('an error occurred whilst refreshing the records after saving them');
+                console.error(JSON.stringify(error, null, 5));
+            }
+        }
+    }
+
+    /**
+     * Discards the errors when the user cancels their edits
+     */
+    handleCancel() {
+        this.draftValues = [];
+        this.tableErrors = undefined;
+    }
+
+    /**
+     * Converts an error from updateRecord into a row error for the datatable
+     * @param {Object<string, *>} error error from updateRecord
+     * @param {[string]} draftFieldNames names of the fields that were edited
+     * @returns {Object<string, *>} row error with a title, messages and the field names in error
+     */
+    getRowError(error, draftFieldNames) {
+        const output = error?.body?.output;
+        const fieldErrors = output?.fieldErrors ?? {};
+
+        let messages = (output?.errors ?? []).map(err => err.message);
+        for (const errors of Object.values(fieldErrors)) {
+            messages.push(...errors.map(err => err.message));
+        }
+        if (!messages.length) {
+            messages.push(error?.body?.message ?? ERROR_MESSAGE);
+        }
+
+        //highlight the fields in error, or all the edited fields if the error isn't specific to a field
+        const fieldNames = Object.keys(fieldErrors).length ?
+            Object.keys(fieldErrors).map(fieldApiName =>
+                this.displayColumns?.find(col => col.editFieldApiName === fieldApiName)?.fieldName ?? fieldApiName
+            ) :
+            draftFieldNames;
+
+        return {
+            title: SAVE_ERROR_TITLE,
+            messages: messages,
+            fieldNames: fieldNames
+        };
+    }
+
+    /**
+     * Deletes the record in a row, once the user has confirmed, then refreshes the records
+     * @param {Object<string, *>} row the row of the record to delete
+     */
+    async deleteRow(row) {
+        const confirmed = await LightningConfirm.open({
+            message: DELETE_CONFIRMATION_MESSAGE,
+            label: DELETE_CONFIRMATION_TITLE,
+            theme: 'warning'
+        });
+
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            await deleteRecord(row.id);
+            this.dispatchEvent(new ShowToastEvent({
+                title: RECORD_DELETED_MESSAGE,
+                variant: 'success'
+            }));
+            await this.refreshRecords();
+        }
+        catch (error) {
+            console.error('An error occurred whilst deleting the record');
+            console.error(JSON.stringify(error, null, 5));
+            this.dispatchEvent(new ShowToastEvent({
+                title: ERROR_MESSAGE,
+                message: error?.body?.message,
+                variant: 'error'
+            }));
+        }
+    }
+
+    /**
+     * Shows the panel to change a field of the selected records
+     */
+    handleMassUpdateOpen() {
+        this.isMassUpdating = true;
+        this.massUpdateFieldName = this.massUpdateFieldOptions[0]?.value;
+    }
+
+    /**
+     * Hides the panel to change a field of the selected records
+     */
+    handleMassUpdateCancel() {
+        this.isMassUpdating = false;
+        this.massUpdateFieldName = undefined;
+    }
+
+    /**
+     * Changes the field whose value is set on the selected records
+     * @param {CustomEvent} event change event from the combobox
+     */
+    handleMassUpdateFieldChange(event) {
+        this.massUpdateFieldName = event.detail.value;
+    }
+
+    /**
+     * Sets the chosen field to the value entered on all the selected records
+     * @param {CustomEvent} event submit event from the record edit form, holding the value entered
+     */
+    async handleMassUpdateSubmit(event) {
+        event.preventDefault();
+        const fieldName = this.massUpdateFieldName;
+        const value = event.detail.fields[fieldName];
+        const recordIds = [...this.selectedRowIds];
+
+        this.isMassActionRunning = true;
+        try {
+            const results = await this.runMassAction(recordIds, recordId => updateRecord({
+                fields: {
+                    Id: recordId,
+                    [fieldName]: value
+                }
+            }));
+            this.handleMassUpdateCancel();
+            await this.reportMassActionResults(recordIds, results, {
+                successMessage: MASS_UPDATE_SUCCESS_MESSAGE,
+                partialMessage: MASS_UPDATE_PARTIAL_MESSAGE,
+                errorTitle: SAVE_ERROR_TITLE,
+                fieldNames: [fieldName]
+            });
+        }
+        catch (error) {
+            this.reportMassActionError(error);
+        }
+        finally {
+            this.isMassActionRunning = false;
+        }
+    }
+
+    /**
+     * Deletes all the selected records, once the user has confirmed
+     */
+    async handleMassDelete() {
+        const recordIds = [...this.selectedRowIds];
+        const confirmed = await LightningConfirm.open({
+            message: MASS_DELETE_CONFIRMATION_MESSAGE.replace('{0}', recordIds.length),
+            label: DELETE_CONFIRMATION_TITLE,
+            theme: 'warning'
+        });
+
+        if (!confirmed) {
+            return;
+        }
+
+        this.isMassActionRunning = true;
+        try {
+            const results = await this.runMassAction(recordIds, recordId => deleteRecord(recordId));
+            await this.reportMassActionResults(recordIds, results, {
+                successMessage: MASS_DELETE_SUCCESS_MESSAGE,
+                partialMessage: MASS_DELETE_PARTIAL_MESSAGE,
+                errorTitle: DELETE_ERROR_TITLE,
+                fieldNames: []
+            });
+        }
+        catch (error) {
+            this.reportMassActionError(error);
+        }
+        finally {
+            this.isMassActionRunning = false;
+        }
+    }
+
+    /**
+     * Hides the list of records the last mass action failed for
+     */
+    handleMassActionErrorsClose() {
+        this.massActionErrors = [];
+    }
+
+    /**
+     * Runs an action on each record, a batch of records at a time so as not to flood the server with requests
+     * @param {[string]} recordIds ids of the records to run the action on
+     * @param {function(string): Promise<*>} action the action to run on each record
+     * @returns {Promise<[Object<string, *>]>} the settled result of the action for each record, in the same order
+     */
+    async runMassAction(recordIds, action) {
+        if (!recordIds.length) {
+            return [];
+        }
+        const results = await Promise.allSettled(recordIds.slice(0, MASS_ACTION_BATCH_SIZE).map(action));
+        return [...results, ...await this.runMassAction(recordIds.slice(MASS_ACTION_BATCH_SIZE), action)];
+    }
+
+    /**
+     * Reports how many records a mass action succeeded for and lists those it failed for,
+     * keeps the failed records selected so that the user can try again, then refreshes the records
+     * @param {[string]} recordIds ids of the records the action was run on
+     * @param {[Object<string, *>]} results the settled result of the action for each record
+     * @param {Object<string, *>} options the messages to report with, and the names of the fields that were changed
+     */
+    async reportMassActionResults(recordIds, results, { successMessage, partialMessage, errorTitle, fieldNames }) {
+        const massActionErrors = [];
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                const recordId = recordIds[index];
+                massActionErrors.push({
+                    recordId,
+                    recordLabel: this.getRecordLabel(recordId),
+                    message: this.getRowError(result.reason, fieldNames).messages.join(' ')
+                });
+            }
+        });
+        const successCount = recordIds.length - massActionErrors.length;
+
+        this.massActionErrors = massActionErrors;
+        this.massActionErrorTitle = errorTitle;
+        this.dispatchEvent(new ShowToastEvent({
+            title: massActionErrors.length ?
+                partialMessage.replace('{0}', successCount).replace('{1}', recordIds.length) :
+                successMessage.replace('{0}', successCount),
+            variant: !massActionErrors.length ? 'success' : successCount ? 'warning' : 'error'
+        }));
+
+        if (successCount) {
+            this.selectRows(massActionErrors.map(massActionError => massActionError.recordId));
+            await this.refreshRecords();
+        }
+    }
+
+    /**
+     * Selects rows of the datatable
+     * @param {[string]} rowIds ids of the rows to select
+     */
+    selectRows(rowIds) {
+        this.selectedRowIds = rowIds;
+    }
+
+    /**
+     * Reports an error that stopped a mass action, or the refresh after it, from completing
+     * @param {Object<string, *>} error
+     */
+    reportMassActionError(error) {
+        console.error('An error occurred whilst running the action on the selected records');
+        console.error(JSON.stringify(error, null, 5));
+        this.dispatchEvent(new ShowToastEvent({
+            title: ERROR_MESSAGE,
+            message: error?.body?.message ?? error?.message,
+            variant: 'error'
+        }));
+    }
+
+    /**
+     * Gets a label for a record listed, to say which records an action failed for
+     * @param {string} recordId
+     * @returns {string} the value of the record's first column, or its id if the value is blank
+     */
+    getRecordLabel(recordId) {
+        const record = this.records?.find(row => row.id === recordId);
+        const column = this.displayColumns?.find(col => col.apiPath);
+        if (!record || !column) {
+            return recordId;
+        }
+        return record[`${column.fieldApiName}-displayValue`] || record[column.fieldApiName] || recordId;
+    }
+
+    /**
+     * Reloads the records
+     * @returns {Promise<void>}
+     */
+    @api
+    refresh() {
+        return this.refreshRecords();
+    }
+
+    /**
+     * Reloads the records, starting from the first page
+     */
+    async refreshRecords() {
+        this.resetPagination();
+        if (this.wiredRecordsResult) {
+            await refreshApex(this.wiredRecordsResult);
+        }
+    }
+
+    /**
+     * Starts loading records from the first page again
+     */
+    resetPagination() {
+        this.pageToken = undefined;
+        this.isLoadingMore = false;
+    }
+
+    /**
+     * Records that an error occurred, so that it is shown to the user
+     * @param {Object<string, *>} error the error returned by the wire (or undefined)
+     * @param {string} category the category of the error, if it can't be determined from the error itself
+     * @param {string} context description of what was happening when the error occurred
+     * @param {Object<string, *>} wiredResult the wired result, refreshed if the user retries
+     */
+    setError(error, category, context, wiredResult) {
+        this.hasError = true;
+        this.isLoadingMore = false;
+        this.stopExport();
+        this.errorCategory = this.classifyError(error, category);
+        this.errorDetails = `${context}\n${JSON.stringify(error ?? {}, null, 2)}`;
+        if (wiredResult) {
+            this.failedWiredResults.push(wiredResult);
+        }
+        console.error(context);
+        console.error(JSON.stringify(error, null, 5));
+        this.dispatchEvent(new CustomEvent('error', {
+            detail: {
+                category: this.errorCategory,
+                message: this.errorMessage,
+                context
+            }
+        }));
+    }
+
+    /**
+     * Whether an error is a failure to reach the server, i.e. a failed fetch (a TypeError) or a response with a status of 0
+     * @param {Object<string, *>} error the error returned by the wire
+     * @returns {boolean} true, if the request didn't reach the server
+     */
+    isNetworkError(error) {
+        if (error instanceof TypeError || error.name === 'TypeError' || error.status === 0) {
+            return true;
+        }
+        const message = error.message ?? error.body?.message ?? '';
+        return /failed to fetch|networkerror|network request failed|load failed/i.test(message);
+    }
+
+    /**
+     * Determines the category of an error from the UI API
+     * @param {Object<string, *>} error the error returned by the wire
+     * @param {string} defaultCategory the category to use if it can't be determined from the error
+     * @returns {string} one of ERROR_CATEGORIES
+     */
+    classifyError(error, defaultCategory) {
+        if (!error) {
+            return defaultCategory;
+        }
+
+        if (this.isNetworkError(error)) {
+            return ERROR_CATEGORIES.NETWORK;
+        }
+
+        //without a status, the error didn't come from the server, so there's nothing more to tell from it
+        if (!error.status) {
+            return ERROR_CATEGORIES.UNKNOWN;
+        }
+
+        const bodies = Array.isArray(error.body) ? error.body : [error.body];
+        const errorCodes = bodies.map(body => body?.errorCode ?? body?.statusCode).filter(code => code);
+
+        if (error.status === 403 ||
+            errorCodes.some(code => code.startsWith('INSUFFICIENT_ACCESS'))) {
+            return ERROR_CATEGORIES.INSUFFICIENT_ACCESS;
+        }
+
+        if (errorCodes.some(code => code === 'INVALID_FIELD' || code === 'INVALID_FIELD_FOR_INSERT_UPDATE')) {
+            return ERROR_CATEGORIES.FIELD_NOT_FOUND;
+        }
+
+        return defaultCategory;
+    }
+
+    /**
+     * Clears the error and reloads the data that failed to load
+     */
+    async handleRetry() {
+        const failedWiredResults = this.failedWiredResults;
+        this.failedWiredResults = [];
+        this.hasError = false;
+        this.errorCategory = undefined;
+        this.errorDetails = undefined;
+        this.errorDetailsExpanded = false;
+
+        try {
+            await Promise.all(failedWiredResults.map(wiredResult => refreshApex(wiredResult)));
+        }
+        catch (ex) {
+            this.setError(ex, ERROR_CATEGORIES.UNKNOWN, 'An error occurred whilst retrying');
+        }
+    }
+
+    /**
+     * Shows or hides the error details
+     */
+    toggleErrorDetails() {
+        this.errorDetailsExpanded = !this.errorDetailsExpanded;
+    }
+
+    /**
+     * Sets the icon background colour
+     */
+    setIconColor() {
+        this.template.host.style.setProperty('--iconColor', this.iconColor);
+    }
+
+    /**
+     * Modifies the records such that the data structure is compatible with the lightning datatable.
+     * Records that haven't changed since they were last prepared (for the same columns) are reused
+     */
+    prepareDisplayRecords(relatedListRecords) {
+        let records = [];
+
+        //If the related list records isn't an array, then return
+        if (!Array.isArray(relatedListRecords) ||
+            !Array.isArray(this.displayColumns)) {
+            return records;
+        }
+
+        //Loop through the records and map each one
+        for (const recordData of relatedListRecords) {
+            const version = recordData.weakEtag ?? recordData.lastModifiedDate;
+            const prepared = this.preparedRecords.get(recordData.id);
+            let record = prepared?.record;
+
+            if (version === undefined || prepared?.version !== version || prepared?.columns !== this.displayColumns) {
+                record = this.prepareDisplayRecord(recordData);
+                this.preparedRecords.set(recordData.id, { version, columns: this.displayColumns, record });
+            }
+            records.push(this.applyPicklistBadges(this.applyRecordUrls(record)));
+        }
+        
+        return records;
+    }
+
+    /**
+     * Maps a record prepared for display to the (read only) structure exposed to other components
+     * @param {Object<string, *>} record prepared for display
+     * @returns {Object<string, *>} the record's id and the value and formatted value of each column's field
+     */
+    toPublicRecord(record) {
+        const fields = {};
+        for (const column of this.displayColumns ?? []) {
+            if (column.apiPath) {
+                fields[column.fieldApiName] = Object.freeze({
+                    value: record[column.fieldApiName],
+                    displayValue: record[`${column.fieldApiName}-displayValue`]
+                });
+            }
+        }
+        return Object.freeze({
+            id: record.id,
+            fields: Object.freeze(fields)
+        });
+    }
+
+    /**
+     * Maps a record to the data structure compatible with the lightning datatable
+     * @param {Object<string, *>} recordData from the getRelatedListRecords api
+     * @returns {Object<string, *>} record prepared for display
+     */
+    prepareDisplayRecord(recordData) {
+        let record = {
+            id: recordData.id
+        };
+
+        //Loop throug the fields to get the values
+        for (const field of this.displayColumns) {
+
+            //Skip columns that aren't fields of the related record
+            if (!field.apiPath) {
+                continue;
+            }
+
+            //If the data type is textArea, then unescape HTML
+            if (field.dataType === 'textarea') {
+                record[field.fieldApiName] = getFieldValue(recordData, field.apiPath) ?? '';
+            }
+
+            //Text columns show the display value where there is one (e.g. of times)
+            else if (field.type === 'text') {
+                record[field.fieldApiName] = getFieldDisplayValue(recordData, field.apiPath) ?? getFieldValue(recordData, field.apiPath) ?? '';
+            }
+
+            // otherwise allow the components to format the value correctly
+            else {
+                record[field.fieldApiName] = getFieldValue(recordData, field.apiPath) ?? '';
+            }
+
+            //keep the formatted value (e.g. of dates and currencies), for the export
+            record[`${field.fieldApiName}-displayValue`] = getFieldDisplayValue(recordData, field.apiPath) ?? this.formatCompoundValue(record[field.fieldApiName]);
+            
+            //If the field is a lookup, keep the id of the record it links to, whose url is generated afterwards
+            if (field.lookupId) {
+                record[`${field.fieldApiName}-recordId`] = this.getLookupRecordId(recordData, field);
+            }
+        }
+
+        //Amounts are shown in the record's currency (in multi-currency orgs)
+        if (this.currencyIsoCodeFieldPath) {
+            record.CurrencyIsoCode = getFieldValue(recordData, this.currencyIsoCodeFieldPath);
+        }
+        return record;
+    }
+
+    /**
+     * Gets the text of a record's column as the user sees it, i.e. the label of links and the display value of other fields
+     * @param {Object<string, *>} record prepared for display
+     * @param {Object<string, *>} column from the display columns
+     * @returns {string} the text to export
+     */
+    getExportValue(record, column) {
+        if (column.typeAttributes?.label?.fieldName) {
+            return record[column.typeAttributes.label.fieldName];
+        }
+        const value = record[`${column.fieldName}-displayValue`] ?? record[column.fieldName];
+        return column.type === 'textarea' ? this.stripRichText(value) : value;
+    }
+
+    /**
+     * Exports the records to a CSV file. If they haven't all been loaded, every page is loaded to be exported,
+     * separately from the records displayed, so the list doesn't grow
+     */
+    handleExport() {
+        if (this.isExporting) {
+            return;
+        }
+        if (!this.hasMoreRecords) {
+            this.downloadCsv(this.buildCsv(this.records ?? []), this.exportFileName);
+            return;
+        }
+        this.isExporting = true;
+        this.exportRecords = [];
+        this.exportPageToken = undefined;
+        this.exportRecordId = this.recordId;
+    }
+
+    /**
+     * Gets the records to export, a page at a time
+     */
+    @wire(getRelatedListRecords, {
+        parentRecordId: "$exportRecordId",
+        relatedListId: "$relationshipName",
+        fields: "$relatedListFieldNames",
+        pageSize: EXPORT_PAGE_SIZE,
+        pageToken: "$exportPageToken",
+        sortBy: "$sortBy",
+        where: "$where",
+        optionalFields: "$optionalFieldNames"
+    })
+    handleGetExportRecords(result) {
+        const { error, data } = result;
+        if (!this.isExporting) {
+            return;
+        }
+        if (data) {
+            this.exportRecords = [...this.exportRecords, ...this.prepareDisplayRecords(this.filterRecords(data.records))];
+
+            if (data.nextPageToken) {
+                this.exportPageToken = data.nextPageToken;
+            }
+            else {
+                this.downloadCsv(this.buildCsv(this.exportRecords), this.exportFileName);
+                this.stopExport();
+            }
+        }
+        else if (error) {
+            this.setError(error, ERROR_CATEGORIES.UNKNOWN, 'An error occurred whilst retrieving the records to export', result);
+        }
+    }
+
+    /**
+     * Stops loading the records to export and discards those already loaded
      */
-    relatedListRecordsLoaded = false;
+    stopExport() {
+        this.isExporting = false;
+        this.exportRecordId = undefined;
+        this.exportPageToken = undefined;
+        this.exportRecords = [];
+    }
 
     /**
-     * The relationship label
-     * @type {string}
+     * Builds a CSV of the records, with a header row of the column labels
+     * @param {[Object<string, *>]} records prepared for display
+     * @returns {string} the CSV
      */
-    get relationshipLabel() {
-        return this.relatedListSummary?.label;
+    buildCsv(records) {
+        const columns = (this.displayColumns ?? []).filter(column => column.type !== 'action');
+        const rows = [
+            columns.map(column => column.label),
+            ...records.map(record => columns.map(column => this.getExportValue(record, column)))
+        ];
+        return rows.map(row => row.map(value => this.escapeCsvValue(value)).join(',')).join('\r\n');
     }
 
     /**
-     * Field definition for the Record Type ID
-     * @type {Object<string, *>} fieldDefintion
+     * Quotes a CSV value if needed, doubling any quotes within it
+     * @param {*} value
+     * @returns {string} the escaped value
      */
-    get recordTypeIdFieldDefinition() {
-        return {"fieldApiName":"RecordTypeId",
-                "objectApiName":this.sObjectTypeName};
+    escapeCsvValue(value) {
+        const text = String(value ?? '');
+        return CSV_QUOTED_VALUE_PATTERN.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     }
 
     /**
-     * Field definition for the Record Type ID
-     * @type {Object<string, *>} fieldDefintion
+     * Converts rich text to plain text, keeping its line breaks
+     * @param {string} html rich text
+     * @returns {string} plain text
      */
-    get recordTypeIdFieldArray() {
-        return [this.recordTypeIdFieldDefinition];
+    stripRichText(html) {
+        //keep line breaks, then let the browser remove the tags and decode the entities
+        const withLineBreaks = String(html ?? '').replace(/<br\s*\/?>|<\/(p|div|li)>/gi, '$&\n');
+        return (new DOMParser().parseFromString(withLineBreaks, 'text/html').body.textContent ?? '').trim();
     }
 
     /**
-     * URL of the related list icon
-     * @type {string} url
+     * Downloads a CSV file
+     * @param {string} csv contents of the file
+     * @param {string} fileName name of the file
      */
-    get iconUrl() {
-        return this.relatedListSummary?.themeInfo?.iconUrl ?? '';
+    downloadCsv(csv, fileName) {
+        //the byte order mark lets spreadsheets detect the encoding
+        const link = document.createElement('a');
+        link.href = `data:text/csv;charset=utf-8,${encodeURIComponent('\uFEFF' + csv)}`;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
     }
 
     /**
-     * HEX Color code for the icon
-     * @type {string}
+     * Removes the records that don't match the where clause, when it is evaluated client-side
+     * @param {[Object<string, *>]} relatedListRecords records from getRelatedListRecords
+     * @returns {[Object<string, *>]} matching records
      */
-    get iconColor() {
-        if (this.relatedListSummary?.themeInfo?.color) {
-            return '#' + this.relatedListSummary.themeInfo.color;
+    filterRecords(relatedListRecords) {
+        const condition = this.filterCondition;
+        if (!this.clientSideFilter || !condition || !Array.isArray(relatedListRecords)) {
+            return relatedListRecords;
         }
-        return '';
+        return relatedListRecords.filter(recordData => this.matchesFilter(recordData.fields, condition));
     }
 
     /**
-     * Plural label of the related list object
-     * @type {string}
+     * Evaluates a where clause condition against the fields of a record
+     * @param {Object<string, *>} fields the fields node of the record (or of a related record)
+     * @param {Object<string, *>} condition e.g. { Status: { ne: "Closed" } }, { and: [...] }, { or: [...] } or { not: {...} }
+     * @returns {boolean} true, if the record matches the condition
      */
-    get entityLabelPlural() {
-        return this.relatedListSummary?.entityLabelPlural ?? '';
-    }
+    matchesFilter(fields, condition) {
+        return Object.entries(condition).every(([key, operand]) => {
+            if (key === 'and') {
+                return Array.isArray(operand) && operand.every(subCondition => this.matchesFilter(fields, subCondition));
+            }
+            if (key === 'or') {
+                return Array.isArray(operand) && operand.some(subCondition => this.matchesFilter(fields, subCondition));
+            }
+            if (key === 'not') {
+                return this.isFilterObject(operand) && !this.matchesFilter(fields, operand);
+            }
 
-    /**
-     * Related list label
-     * @type {string}
-     */
-    get relatedListLabel() {
-        return this.relatedListSummary?.label ?? '';
+            const fieldValue = fields?.[key]?.value;
+
+            //a value (or null) rather than operators is compared for equality, e.g. { ParentId: null }
+            if (!this.isFilterObject(operand)) {
+                return FILTER_OPERATORS.eq(fieldValue, operand);
+            }
+
+            //if the operand isn't made up of operators, then it's a condition on a related record
+            const operators = Object.keys(operand);
+            if (!operators.every(operator => FILTER_OPERATORS[operator])) {
+                return this.matchesFilter(fieldValue?.fields, operand);
+            }
+
+            return operators.every(operator => FILTER_OPERATORS[operator](fieldValue, operand[operator]));
+        });
     }
 
     /**
-     * Flag to indicate whether all loading was complete
+     * Whether an operand of a where clause condition is an object (of operators or conditions), rather than a value
+     * @param {*} operand
+     * @returns {boolean}
      */
-    get dataLoaded() {
-        return (this.recordLoaded &&
-                this.relatedListDetailLoaded &&
-                this.relatedListRecordsLoaded);
+    isFilterObject(operand) {
+        return operand !== null && typeof operand === 'object' && !Array.isArray(operand);
     }
 
     /**
-     * Error message to display to the user
-     * @type {string}
+     * Whether an error from getRelatedListRecords is the where clause being rejected, so it can be evaluated client-side instead
+     * @param {Object<string, *>} error the error returned by the wire
+     * @returns {boolean}
      */
-    get errorMessage() {
-        return ERROR_MESSAGE;
+    isWhereClauseRejection(error) {
+        if (error?.status !== 400) {
+            return false;
+        }
+        const bodies = Array.isArray(error.body) ? error.body : [error.body];
+        return bodies.some(body => WHERE_CLAUSE_ERROR_CODES.includes(body?.errorCode) || /\bwhere\b/i.test(body?.message ?? ''));
     }
 
     /**
-     * Gets the recordTypeId for this record
+     * Gets the paths of the fields referenced by a where clause condition
+     * @param {Object<string, *>} condition where clause condition
+     * @returns {[string]} field paths, e.g. Status or Account.Name
      */
-    @wire (getRecord, {
-        recordId: "$recordId",
-        fields: "$recordTypeIdFieldArray"})
-    handleGetRecord({ error, data }) {
-        if (data) {
-            this.recordTypeId = getFieldValue(data, this.recordTypeIdFieldDefinition);
-            this.recordLoaded = true;
-        }
-        else if (error) {
-            this.recordLoaded = true;
+    getFilterFieldPaths(condition) {
+        let paths = [];
+        for (const [key, operand] of Object.entries(condition)) {
+            if (key === 'and' || key === 'or') {
+                (Array.isArray(operand) ? operand : [])
+                    .filter(subCondition => this.isFilterObject(subCondition))
+                    .forEach(subCondition => paths.push(...this.getFilterFieldPaths(subCondition)));
+            }
+            else if (key === 'not') {
+                paths.push(...(this.isFilterObject(operand) ? this.getFilterFieldPaths(operand) : []));
+            }
+            else if (!this.isFilterObject(operand) || Object.keys(operand).every(operator => FILTER_OPERATORS[operator])) {
+                paths.push(key);
+            }
+            else {
+                paths.push(...this.getFilterFieldPaths(operand).map(path => `${key}.${path}`));
+            }
         }
+        return paths;
     }
 
     /**
-     * Gets the related list summary for the child relationship
+     * Parses the configured column fields
+     * @returns {[Object<string, *>]} Array of objects with the fieldApiName, and optionally the label and initialWidth
      */
-    @wire(getRelatedListsInfo, {
-        parentObjectApiName: "$sObjectTypeName",
-        recordTypeId: "$recordTypeId"
-    })
-    handleGetRelatedListsInfo({ error, data }) {
-        if (data && Array.isArray(data.relatedLists)) {
-            this.relatedListSummary = data.relatedLists.find(rl => rl.relatedListId?.toLowerCase() === this.relationshipName?.toLowerCase());
-            this.setIconColor();
-            this.relatedListSummaryLoaded = true;
-        }
-        else if (error) {
-            this.hasError = true;
-            console.error('An error occurred whilst retrieving the related list summary');
-            console.error(JSON.stringify(error, null, 5));
+    parseColumnFields() {
+        if (!this.columnFields?.trim()) {
+            return [];
         }
+
+        return this.columnFields.split(/[,\n]/)
+            .map(entry => entry.trim())
+            .filter(entry => entry)
+            .map(entry => {
+                const [fieldApiName, label, width] = entry.split(':').map(part => part.trim());
+                return {
+                    fieldApiName: fieldApiName,
+                    label: label || undefined,
+                    initialWidth: parseInt(width, 10) || undefined
+                };
+            });
     }
 
     /**
-     * Gets the related list info for the child relationship
+     * Gets the column definitions, from the page layout and/or the configured column fields
+     * @param {Object<string, *>} relatedListInfo
+     * @returns {[Object<string, *>]} column definitions, in the same shape as the related list info display columns
      */
-    @wire(getRelatedListInfo, {
-        parentObjectApiName: "$sObjectTypeName",
-        relatedListId: "$relationshipName",
-        recordTypeId: "$recordTypeId"
-    })
-    handleGetRelatedListInfo({ error, data }) {
-        if (data) {
-            this.displayColumns = this.prepareColumns(data);
-            if (this.displayColumns && Array.isArray(this.displayColumns)) {
-                this.relatedListFieldNames = this.displayColumns.map(col => col.apiPath);
-                this.relatedListFieldNames.push(...EXTRA_FIELDS.map(field => `${data.objectApiNames[0]}.${field}`));
-                this.relatedListFieldNames.push()
+    getColumnDefinitions(relatedListInfo) {
+        const configuredColumns = this.parseColumnFields();
+        this.invalidColumnFields = [];
+
+        if (!configuredColumns.length || !this.relatedObjectInfo) {
+            return relatedListInfo.displayColumns;
+        }
+
+        let columns = this.columnMode === COLUMN_MODES.AUGMENT ? [...relatedListInfo.displayColumns] : [];
+
+        for (const config of configuredColumns) {
+            const column = this.prepareConfiguredColumn(config);
+
+            //report fields that don't exist rather than requesting them
+            if (!column) {
+                this.invalidColumnFields.push(config.fieldApiName);
+                console.error(`could not find field ${config.fieldApiName} on ${this.relatedObjectInfo.apiName}`);
+                continue;
+            }
+
+            //if the field is already in the layout, just apply the label and width
+            const index = columns.findIndex(col => col.fieldApiName?.toLowerCase() === column.fieldApiName.toLowerCase());
+            if (index >= 0) {
+                columns[index] = {
+                    ...columns[index],
+                    label: config.label ?? columns[index].label,
+                    initialWidth: config.initialWidth ?? columns[index].initialWidth
+                };
             }
             else {
-                this.relatedListFieldNames = undefined;
+                columns.push(column);
             }
-            this.relatedListDetailLoaded = true;
-        }
-        else if (error) {
-            this.hasError = true;
-            console.error('An error occurred whilst retrieving the related list info');
-            console.error(JSON.stringify(error, null, 5));
         }
+
+        return columns;
     }
 
     /**
-     * Gets the related list records for the child relationship
+     * Creates a column definition for a configured column field, using the related object info
+     * @param {Object<string, *>} config configured column field
+     * @returns {Object<string, *>} column definition, or undefined if the field could not be found
      */
-    @wire(getRelatedListRecords, {
-        parentRecordId: "$recordId",
-        relatedListId: "$relationshipName",
-        fields: "$relatedListFieldNames"
-    })
-    async handleGetRelatedListRecords({ error, data }) {
-        if (data) {
-            this.page = data;
-            this.records = await this.prepareDisplayRecords(data.records);
-            this.records = this.filterRecords(this.records);
-            this.relatedListRecordsLoaded = true;
+    prepareConfiguredColumn(config) {
+        if (config.fieldApiName.includes('.')) {
+            return this.prepareSpanningColumn(config);
         }
-        else if (error) {
-            this.hasError = true;
-            console.error('An error occurred whilst retrieving the related list records');
-            console.error(JSON.stringify(error, null, 5));
+
+        const fieldInfo = Object.values(this.relatedObjectInfo.fields)
+            .find(info => info.apiName.toLowerCase() === config.fieldApiName.toLowerCase());
+
+        if (!fieldInfo) {
+            return undefined;
         }
-    }
 
-    /**
-     * Sets the icon background colour
-     */
-    setIconColor() {
-        this.template.host.style.setProperty('--iconColor', this.iconColor);
+        //lookups display the name of the related record, linked to it
+        if (fieldInfo.dataType === 'Reference' && fieldInfo.relationshipName) {
+            const nameField = fieldInfo.referenceToInfos?.[0]?.nameFields?.[0] ?? 'Name';
+            return {
+                fieldApiName: `${fieldInfo.relationshipName}.${nameField}`,
+                label: config.label ?? fieldInfo.label,
+                initialWidth: config.initialWidth,
+                dataType: 'string',
+                lookupId: `${fieldInfo.relationshipName}.Id`,
+                sortable: fieldInfo.sortable
+            };
+        }
+
+        return {
+            fieldApiName: fieldInfo.apiName,
+            label: config.label ?? fieldInfo.label,
+            initialWidth: config.initialWidth,
+            dataType: fieldInfo.dataType.toLowerCase(),
+            lookupId: fieldInfo.nameField ? 'Id' : undefined,
+            sortable: fieldInfo.sortable
+        };
     }
 
     /**
-     * Modifies the records such that the data structure is compatible with the lightning datatable
+     * Creates a column definition for a configured field of a related record (e.g. Account.Owner.Name), linked to the record that holds it.
+     * Each relationship is checked against the object info of the object it starts from, and the column is labelled with the field labels
+     * (e.g. Account > Owner > Full Name). The user may not be able to see every record on the way, so the field is requested as an optional field
+     * @param {Object<string, *>} config configured column field
+     * @returns {Object<string, *>} column definition, or undefined if a relationship or the field could not be found
      */
-    async prepareDisplayRecords(relatedListRecords) {
-        let records = [];
-
-        //If the related list records isn't an array, then return
-        if (!Array.isArray(relatedListRecords) ||
-            !Array.isArray(this.displayColumns)) {
-            return records;
+    prepareSpanningColumn(config) {
+        const parts = config.fieldApiName.split('.');
+        if (parts.some(part => !part)) {
+            return undefined;
         }
 
-        //Loop through the records and map each one
-        for (const recordData of relatedListRecords) {
-            let record = {
-                id: recordData.id
-            };
+        const relationshipPath = [];
+        const labels = [];
+        let objectInfo = this.relatedObjectInfo;
+        for (const relationshipName of parts.slice(0, -1)) {
+            const lookupInfo = this.findLookupField(objectInfo, relationshipName);
+            objectInfo = this.spanningObjectInfos[lookupInfo?.referenceToInfos?.[0]?.apiName?.toLowerCase()];
+            if (!objectInfo) {
+                return undefined;
+            }
+            relationshipPath.push(lookupInfo.relationshipName);
 
-            //Loop throug the fields to get the values
-            for (const field of this.displayColumns) {
+            //lookups are labelled after the record they link to, e.g. "Account ID" => "Account"
+            labels.push(lookupInfo.label.replace(/\s+ID$/i, ''));
+        }
 
-                //If the data type is textArea, then unescape HTML
-                if (field.dataType === 'textarea') {
-                    record[field.fieldApiName] = getFieldValue(recordData, field.apiPath) || '';
-                }
+        const fieldName = parts[parts.length - 1];
+        const fieldInfo = Object.values(objectInfo.fields)
+            .find(info => info.apiName.toLowerCase() === fieldName.toLowerCase());
+        if (!fieldInfo) {
+            return undefined;
+        }
 
-                //If the data type is string, then get the display value
-                else if (field.type === 'string') {
-                    record[field.fieldApiName] = getFieldDisplayValue(recordData, field.apiPath) || '';
-                }
+        return {
+            fieldApiName: [...relationshipPath, fieldInfo.apiName].join('.'),
+            label: config.label ?? [...labels, fieldInfo.label].join(' > '),
+            initialWidth: config.initialWidth,
+            dataType: 'string',
+            lookupId: `${relationshipPath.join('.')}.Id`,
+            sortable: false,
+            isOptional: true
+        };
+    }
 
-                // otherwise allow the components to format the value correctly
-                else {
-                    record[field.fieldApiName] = getFieldValue(recordData, field.apiPath) || '';
-                }
-                
-                //If the field is a lookup, set the url
-                if (field.lookupId) {
-                    record[`${field.fieldApiName}-resourceUrl`] = await this.generateRecordUrl(recordData, field);
-                }
-            }
-            records.push(record);
-        }
-        
-        return records;
+    /**
+     * Finds the lookup field of an object with the given relationship name
+     * @param {Object<string, *>} objectInfo object info of the object holding the lookup
+     * @param {string} relationshipName e.g. Owner, or Parent__r
+     * @returns {Object<string, *>} field info, or undefined if the object has no such relationship
+     */
+    findLookupField(objectInfo, relationshipName) {
+        return Object.values(objectInfo?.fields ?? {})
+            .find(info => info.relationshipName?.toLowerCase() === relationshipName.toLowerCase());
     }
 
-    filterRecords(displayRecords) {
-        //TODO: Add filter logic here
-        return displayRecords;
+    /**
+     * Column holding each row's action menu
+     * @returns {Object<string, *>} column definition
+     */
+    prepareActionColumn() {
+        return {
+            type: 'action',
+            typeAttributes: {
+                rowActions: this.rowActions
+            }
+        };
     }
 
     /**
@@ -343,7 +2327,7 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
                 return fields;
         }
 
-        relatedListInfo.displayColumns.forEach(col => {
+        this.getColumnDefinitions(relatedListInfo).forEach(col => {
 
             //clone the original column
             let field = structuredClone(col);
@@ -354,22 +2338,62 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
             //map the fieldApiName to the fieldName
             field.fieldName = field.fieldApiName;
 
+            //allow the field to be edited inline if the user can update it
+            field.editable = this.isColumnEditable(field);
+
             //map the fieldType
             field.type = this.getColumnType(field);
 
-            //If the field is a lookup field, set additional properties to render the url properly
+            //Picklist values are shown as badges
+            if (PICKLIST_COLUMN_TYPES.includes(field.type)) {
+                field.typeAttributes = {
+                    badges: {
+                        fieldName: `${field.fieldName}-badges`
+                    }
+                };
+            }
+
+            //Icons shown in place of a value are labelled for screen readers
+            if (field.type === 'checkIcon' || field.type === 'encryptedString') {
+                field.typeAttributes = {
+                    alternativeText: field.type === 'checkIcon' ? TRUE_LABEL : ENCRYPTED_LABEL
+                };
+            }
+
+            //Amounts are shown in the record's currency
+            if (field.type === 'currency') {
+                field.typeAttributes = {
+                    currencyCode: {
+                        fieldName: 'CurrencyIsoCode'
+                    }
+                };
+            }
+
+            //If the field is a lookup field, set additional properties to render the url properly.
+            //The cell holds the id of the related record, so that it can be changed with a record picker
             if (field.lookupId) {
-                field.fieldName = `${field.fieldName}-resourceUrl`;
+                field.fieldName = `${field.fieldApiName}-recordId`;
                 field.typeAttributes = {
                     label : {
                         fieldName: field.fieldApiName
                     },
                     tooltip : {
                         fieldName: field.fieldApiName
+                    },
+                    url : {
+                        fieldName: `${field.fieldApiName}-resourceUrl`
                     }
                 }
+                if (field.editable) {
+                    const lookupInfo = this.getLookupFieldInfo(field);
+                    field.editFieldApiName = lookupInfo.apiName;
+                    field.typeAttributes.objectApiName = lookupInfo.referenceToInfos?.[0]?.apiName;
+                }
             }
 
+            //Picklists are edited by choosing one of their values
+            field = this.applyPicklistOptions(field);
+
             fields.push(field);
         });
 
@@ -377,78 +2401,188 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
     }
 
     /**
-     * Generate a link to a record (used to create links in lookup fields)
-     * @param {Object<string, *>} recordData from the getRelatedRecords api
-     * @param {*} field from the display columns
-     * @returns {string} url to the record
+     * The configured colours of picklist value badges, by lowercase field API name then value
+     * @type {Map<string, Map<string, string>>}
      */
-    async generateRecordUrl(recordData, field) {
+    get picklistColorMap() {
+        const colorMap = new Map();
+        for (const entry of (this.picklistColors ?? '').split(',')) {
+            const parts = entry.split(':').map(part => part.trim());
+            const fieldApiName = parts.shift()?.toLowerCase();
+            const color = parts.pop();
+            const value = parts.join(':');
+            if (!fieldApiName || !value || !PICKLIST_COLOR_PATTERN.test(color ?? '')) {
+                if (entry.trim()) {
+                    console.warn(`Ignoring the picklist colour "${entry.trim()}", expected the field, the value and a hex colour, e.g. Status:Escalated:#C23934`);
+                }
+                continue;
+            }
+            if (!colorMap.has(fieldApiName)) {
+                colorMap.set(fieldApiName, new Map());
+            }
+            colorMap.get(fieldApiName).set(value, color);
+        }
+        return colorMap;
+    }
 
-        try {
+    /**
+     * Gets the style of a badge in the colour configured for a picklist value, with text that contrasts with it
+     * @param {string} color hex colour of the badge
+     * @returns {string} the style of the badge, or undefined if the value has no colour
+     */
+    getBadgeStyle(color) {
+        if (!color) {
+            return undefined;
+        }
+        const hex = color.length === 4 ? [...color.substring(1)].map(digit => digit + digit).join('') : color.substring(1);
+        const [red, green, blue] = [0, 2, 4].map(index => parseInt(hex.substring(index, index + 2), 16));
+        const isLight = (red * 0.299 + green * 0.587 + blue * 0.114) / 255 > 0.6;
+        return `background-color: ${color}; color: ${isLight ? '#181818' : '#ffffff'};`;
+    }
 
-            //if the field isn't a lookup field, return nothing
-            if (!field.lookupId) {
-                return undefined;
+    /**
+     * Sets the badges shown for the values of each picklist column of a record, in the colours configured for the values
+     * @param {Object<string, *>} record prepared for display
+     * @returns {Object<string, *>} the record with its badges
+     */
+    applyPicklistBadges(record) {
+        const badgedRecord = { ...record };
+        const colorMap = this.picklistColorMap;
+        for (const column of this.displayColumns ?? []) {
+            if (!PICKLIST_COLUMN_TYPES.includes(column.type)) {
+                continue;
             }
+            const colors = colorMap.get(column.fieldApiName?.toLowerCase());
+            const values = String(record[column.fieldName] ?? '').split(';').filter(value => value);
+            const labels = String(record[`${column.fieldName}-displayValue`] ?? '').split(';');
+            badgedRecord[`${column.fieldName}-badges`] = values.map((value, index) => ({
+                key: value,
+                label: labels[index] || value,
+                style: this.getBadgeStyle(colors?.get(value))
+            }));
+        }
+        return badgedRecord;
+    }
 
-            //get the field that hols the lookup relationship
-            let lookupId = field.lookupId;
-
-            let recordId;
+    /**
+     * Formats the value of a compound field (an address or a location), which has no display value
+     * @param {*} value the field value
+     * @returns {*} the parts of a compound value separated by commas, other values as they are
+     */
+    formatCompoundValue(value) {
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        const parts = 'street' in value ?
+            [value.street, value.city, value.state, value.postalCode, value.country] :
+            [value.latitude, value.longitude];
+        return parts.filter(part => part !== null && part !== undefined && part !== '').join(', ');
+    }
 
-            //if the field relates to the related record, then use it's record ID
-            if (lookupId === 'Id') {
-                recordId = recordData.id;
-            }
+    /**
+     * Gets the id of the record a lookup column links to
+     * @param {Object<string, *>} recordData from the getRelatedListRecords api
+     * @param {*} field from the display columns
+     * @returns {string} id of the linked record, or undefined if the lookup is blank or the user can't access the record
+     */
+    getLookupRecordId(recordData, field) {
 
-            //otherwise navigate to the field that contains the related id
-            else {
+        //if the field isn't a lookup field, return nothing
+        if (!field.lookupId) {
+            return undefined;
+        }
 
-                //remove ".Id" from the end of the field path
-                if (lookupId.endsWith('.Id')) {
-                    lookupId = lookupId.substring(0, lookupId.length - 3);
-                }
+        //get the field that hols the lookup relationship
+        let lookupId = field.lookupId;
 
-                //start with the fields node on the record data
-                let currentVal = recordData.fields;
+        //if the field relates to the related record, then use it's record ID
+        if (lookupId === 'Id') {
+            return recordData.id;
+        }
 
-                //loop through each element of the path and get the corresponding value node
-                for (const objKey of lookupId.split('\\.')) {
-                    currentVal = currentVal[objKey]?.value;
-                    if (currentVal === undefined) {
-                        console.error(`could not find field value with key ${objKey}`);
-                        break;
-                    }
-                }
+        //remove ".Id" from the end of the field path
+        if (lookupId.endsWith('.Id')) {
+            lookupId = lookupId.substring(0, lookupId.length - 3);
+        }
 
-                //if a value node wasn't found, return nothing
-                if (!currentVal) {
-                    return undefined;
-                }
+        //start with the record data
+        let currentVal = recordData;
 
-                //otherwise set the record id to the id of the current value
-                recordId = currentVal.id;
-            }
-            
-            //just in case no record id was found, or it was null, return nothing
-            if (!recordId) {
+        //loop through each relationship of the path and get the related record,
+        //which is null (or missing) if the lookup is blank or the user can't access the related record
+        for (const objKey of lookupId.split('.')) {
+            currentVal = currentVal?.fields?.[objKey]?.value;
+            if (!currentVal) {
                 return undefined;
             }
-            
-            //generate the url and return it
-            return await this[NavigationMixin.GenerateUrl]({
+        }
+
+        return currentVal.id ?? undefined;
+    }
+
+    /**
+     * Generate a link to a record, only once per record for as long as the component lives
+     * @param {string} recordId
+     * @returns {Promise<string>} url to the record, or undefined if it couldn't be generated
+     */
+    getRecordUrl(recordId) {
+        if (!this.recordUrls.has(recordId)) {
+            const url = this[NavigationMixin.GenerateUrl]({
                 type: "standard__recordPage",
                 attributes: {
                     actionName: "view",
                     recordId: recordId
                 }
+            })
+            .then(generatedUrl => {
+                this.resolvedRecordUrls.set(recordId, generatedUrl);
+                return generatedUrl;
+            })
+            .catch(ex => {
+                console.error('an error occurred whilst generating a record url');
+                console.error(JSON.stringify(ex, null, 5));
+                return undefined;
             });
+            this.recordUrls.set(recordId, url);
         }
-        catch (ex) {
-            console.error('an error occurred whilst generating a record url');
-            console.error(JSON.stringify(ex, null, 5));
-            return undefined;
+        return this.recordUrls.get(recordId);
+    }
+
+    /**
+     * Generates the links of the records' lookups that haven't been generated yet, all at once, then fills them in
+     */
+    async fillRecordUrls() {
+        const lookupColumns = (this.displayColumns ?? []).filter(column => column.lookupId);
+        const recordIds = new Set();
+        for (const record of this.records ?? []) {
+            for (const column of lookupColumns) {
+                const recordId = record[`${column.fieldApiName}-recordId`];
+                if (recordId && !this.resolvedRecordUrls.has(recordId)) {
+                    recordIds.add(recordId);
+                }
+            }
+        }
+
+        if (!recordIds.size) {
+            return;
+        }
+        await Promise.all([...recordIds].map(recordId => this.getRecordUrl(recordId)));
+        this.records = this.records?.map(record => this.applyRecordUrls(record));
+    }
+
+    /**
+     * Sets the links of a record's lookups that have already been generated
+     * @param {Object<string, *>} record prepared for display
+     * @returns {Object<string, *>} the record with its links
+     */
+    applyRecordUrls(record) {
+        const linkedRecord = { ...record };
+        for (const column of this.displayColumns ?? []) {
+            if (column.lookupId) {
+                linkedRecord[`${column.fieldApiName}-resourceUrl`] = this.resolvedRecordUrls.get(record[`${column.fieldApiName}-recordId`]);
+            }
         }
+        return linkedRecord;
     }
 
     async generateMoreLink() {
@@ -465,6 +2599,63 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
         return link;
     }
 
+    /**
+     * Whether a column can be edited inline. Lookups can be edited when they are fields of the related object, other fields of related records can't be
+     * @param {Object<string, *>} column
+     * @returns {boolean} true, if the column can be edited
+     */
+    isColumnEditable(column) {
+        if (!this.enableInlineEdit) {
+            return false;
+        }
+        if (column.lookupId) {
+            return !!this.getLookupFieldInfo(column)?.updateable;
+        }
+        if (column.fieldApiName?.includes('.') ||
+            !EDITABLE_DATA_TYPES.includes(column.dataType)) {
+            return false;
+        }
+        return !!this.relatedObjectInfo?.fields?.[column.fieldApiName]?.updateable;
+    }
+
+    /**
+     * Gets the info of the related object's lookup field that links to the record shown in a lookup column, e.g. OwnerId for Owner.Name
+     * @param {Object<string, *>} column lookup column
+     * @returns {Object<string, *>} field info, or undefined if the column shows the record itself or a record further away
+     */
+    getLookupFieldInfo(column) {
+        const relationshipName = column.lookupId.endsWith('.Id') ?
+            column.lookupId.substring(0, column.lookupId.length - 3) :
+            undefined;
+
+        if (!relationshipName || relationshipName.includes('.')) {
+            return undefined;
+        }
+        return this.findLookupField(this.relatedObjectInfo, relationshipName);
+    }
+
+    /**
+     * Sets the options of an editable picklist column from the values of its picklist
+     * @param {Object<string, *>} column
+     * @returns {Object<string, *>} the column with its options
+     */
+    applyPicklistOptions(column) {
+        if (!column.editable || column.type !== 'picklist') {
+            return column;
+        }
+        const picklistValues = this.picklistFieldValues?.[column.fieldApiName]?.values ?? [];
+        return {
+            ...column,
+            typeAttributes: {
+                ...column.typeAttributes,
+                options: picklistValues.map(picklistValue => ({
+                    label: picklistValue.label,
+                    value: picklistValue.value
+                }))
+            }
+        };
+    }
+
     /**
      * Get the field type for the lightning datatable
      * @param {string} column
@@ -473,18 +2664,15 @@ export default class RelatedList extends NavigationMixin(LightningElement) {
     getColumnType(column) {
 
         if (column.lookupId) {
-            return 'url';
-        }
-
-        if (column.dataType === 'datetime') {
-            return 'date-local';
+            return 'lookup';
         }
 
-        if (column.dataType === 'picklist') {
-            return 'string';
+        //booleans are shown as check icons, unless they are edited with a checkbox
+        if (column.dataType === 'boolean' && !column.editable) {
+            return 'checkIcon';
         }
 
-        return column.dataType;
+        return COLUMN_TYPES[column.dataType] ?? 'text';
     }
 
 }
\ No newline at end of file
@@ -1,5 +1,16 @@
 import LightningDatatable from "lightning/datatable";
 import richTextTemplate from "./richText.html";
+import highlightedTextTemplate from "./highlightedText.html";
+import highlightedTextEditTemplate from "./highlightedTextEdit.html";
+import badgesTemplate from "./badges.html";
+import checkIconTemplate from "./checkIcon.html";
+import addressTemplate from "./address.html";
+import locationTemplate from "./location.html";
+import encryptedStringTemplate from "./encryptedString.html";
+import lookupTemplate from "./lookup.html";
+import linksTemplate from "./links.html";
+import lookupEditTemplate from "./lookupEdit.html";
+import picklistEditTemplate from "./picklistEdit.html";
 
 export default class RelatedListDataTable extends LightningDatatable {
 
@@ -7,6 +18,52 @@ export default class RelatedListDataTable extends LightningDatatable {
         textarea: {
             template: richTextTemplate,
             standardCellLayout: true,
+        },
+        highlightedText: {
+            template: highlightedTextTemplate,
+            editTemplate: highlightedTextEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['segments']
+        },
+        picklist: {
+            template: badgesTemplate,
+            editTemplate: picklistEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['badges', 'options']
+        },
+        multipicklist: {
+            template: badgesTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['badges']
+        },
+        checkIcon: {
+            template: checkIconTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['alternativeText']
+        },
+        address: {
+            template: addressTemplate,
+            standardCellLayout: true,
+        },
+        location: {
+            template: locationTemplate,
+            standardCellLayout: true,
+        },
+        encryptedString: {
+            template: encryptedStringTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['alternativeText']
+        },
+        lookup: {
+            template: lookupTemplate,
+            editTemplate: lookupEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['label', 'tooltip', 'url', 'objectApiName']
+        },
+        links: {
+            template: linksTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['links']
         }
     }
 